@@ -0,0 +1,751 @@
+/**
+ * Tests for generate-changelog.js
+ *
+ * Run with: node --test scripts/release/
+ *
+ * Each test builds a throwaway git repository in the system temp directory and drives
+ * the script through its API, or through the CLI for anything that writes files, so
+ * nothing here touches the repository it lives in.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  generateChangelog,
+  createGitAdapter,
+  parseConventionalCommit,
+  renderTemplate,
+  lintCommitMessage,
+  resolveLintRules,
+  calculateNextVersion,
+  compareVersions,
+  parseVersion,
+} = require('./generate-changelog');
+
+const SCRIPT = path.join(__dirname, 'generate-changelog.js');
+
+// ============================================
+// Fixtures
+// ============================================
+
+// Fixed identities and no user or system config, so the fixtures do not depend on the machine
+const GIT_ENV = {
+  ...process.env,
+  GIT_CONFIG_NOSYSTEM: '1',
+  GIT_CONFIG_GLOBAL: os.devNull,
+  GIT_AUTHOR_NAME: 'Ada',
+  GIT_AUTHOR_EMAIL: 'ada@example.com',
+  GIT_COMMITTER_NAME: 'Ada',
+  GIT_COMMITTER_EMAIL: 'ada@example.com',
+};
+
+function createRepo(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'changelog-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // `date` sets both author and committer date of the commits git creates
+  const git = (...args) => {
+    const date = typeof args[args.length - 1] === 'object' ? args.pop().date : undefined;
+    const env = date ? { ...GIT_ENV, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date } : GIT_ENV;
+    return execFileSync('git', args, { cwd: dir, env, encoding: 'utf-8' }).trim();
+  };
+  let counter = 0;
+  const commit = (message, options = {}) => {
+    // One file per commit, so cherry-picks and reverts never conflict
+    fs.writeFileSync(path.join(dir, `change-${counter++}.txt`), `${message}\n`);
+    git('add', '-A');
+    git('commit', '-q', '-m', message, options);
+    return git('rev-parse', 'HEAD');
+  };
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  };
+  const read = (file) => fs.readFileSync(path.join(dir, file), 'utf-8');
+
+  git('init', '-q', '-b', 'main');
+  return { dir, git, commit, write, read };
+}
+
+function entries(release) {
+  return release.model.categories.flatMap((category) => category.entries);
+}
+
+function changelog(repo, options = {}) {
+  return generateChangelog({ git: createGitAdapter(repo.dir), ...options });
+}
+
+function cli(repo, ...args) {
+  // Returns stdout; a failing run throws with the `stderr` it printed
+  return execFileSync(process.execPath, [SCRIPT, ...args], { cwd: repo.dir, env: GIT_ENV, encoding: 'utf-8', stdio: 'pipe' });
+}
+
+// ============================================
+// Versions
+// ============================================
+
+test('compareVersions orders releases and pre-releases by semver precedence', () => {
+  const ordered = ['1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0', '1.0.1', '1.10.0', '2.0.0'];
+
+  for (let i = 1; i < ordered.length; i++) {
+    assert.ok(compareVersions(parseVersion(ordered[i - 1]), parseVersion(ordered[i])) < 0, `${ordered[i - 1]} < ${ordered[i]}`);
+    assert.ok(compareVersions(parseVersion(ordered[i]), parseVersion(ordered[i - 1])) > 0, `${ordered[i]} > ${ordered[i - 1]}`);
+  }
+  assert.equal(compareVersions(parseVersion('1.2.3+build.4'), parseVersion('1.2.3')), 0);
+});
+
+test('calculateNextVersion bumps the right component and keeps 0.x breaking changes on the minor', () => {
+  assert.equal(calculateNextVersion('v1.2.3', 'patch'), '1.2.4');
+  assert.equal(calculateNextVersion('v1.2.3', 'minor'), '1.3.0');
+  assert.equal(calculateNextVersion('v1.2.3', 'major'), '2.0.0');
+  assert.equal(calculateNextVersion('pkg-v0.4.1', 'major'), '0.5.0');
+  assert.equal(calculateNextVersion(null, 'minor'), '0.1.0');
+});
+
+// ============================================
+// Commit Parsing
+// ============================================
+
+test('parseConventionalCommit reads footers from the trailing paragraphs only', () => {
+  const message = 'Context: the old API timed out.\n\nThis rewrites the pagination.\n\nBREAKING CHANGE: pages start at 1\nReviewed-by: Bob\nCloses #5';
+  const parsed = parseConventionalCommit('feat(api): paginate results', message);
+
+  assert.equal(parsed.type, 'feat');
+  assert.equal(parsed.scope, 'api');
+  assert.equal(parsed.body, 'Context: the old API timed out.\n\nThis rewrites the pagination.');
+  assert.deepEqual(
+    parsed.footers.map((footer) => footer.token),
+    ['BREAKING CHANGE', 'Reviewed-by', 'Closes']
+  );
+  assert.equal(parsed.breaking, true);
+  assert.equal(parsed.breakingNote, 'pages start at 1');
+  assert.deepEqual(
+    parsed.closes.map((reference) => reference.label),
+    ['#5']
+  );
+});
+
+test('parseConventionalCommit keeps continuation lines in the footer value', () => {
+  const parsed = parseConventionalCommit('fix!: drop legacy flag', 'BREAKING CHANGE: the --legacy flag is gone,\nuse --compat instead');
+
+  assert.equal(parsed.breaking, true);
+  assert.equal(parsed.body, '');
+  assert.equal(parsed.breakingNote, 'the --legacy flag is gone,\nuse --compat instead');
+});
+
+test('lintCommitMessage accepts git revert subjects of valid headers', () => {
+  const rules = resolveLintRules({});
+
+  assert.deepEqual(lintCommitMessage('Revert "feat(api): paginate results"', rules), []);
+  assert.deepEqual(lintCommitMessage('Revert "Revert "fix: handle empty input""', rules), []);
+  assert.deepEqual(lintCommitMessage('Revert "Update stuff"', rules), ['"Update stuff" does not follow "type(scope): description"']);
+});
+
+// ============================================
+// Configuration
+// ============================================
+
+test('generateChangelog reads the YAML subset of the config file', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+  repo.git('tag', 'v1.0.0');
+  repo.commit('feat: add export');
+  repo.commit('wip: half-done import');
+  repo.commit('chore: update tooling');
+  repo.write(
+    '.release-config.yml',
+    [
+      '# Release settings',
+      'changelog:',
+      '  format: plain # inline comment',
+      '  hidden_types: [chore, "ci"]',
+      '  ignore:',
+      "    - '^wip'",
+      '  types:',
+      '    feat:',
+      '      plain: "New: things"',
+      '  template: changelog.hbs',
+      '',
+    ].join('\n')
+  );
+  repo.write('changelog.hbs', '# {{version}}\n{{#categories}}\n{{title}}: {{#entries}}{{description}}{{/entries}}\n{{/categories}}\n');
+
+  assert.equal((await changelog(repo)).content, '# 1.1.0\nNew: things: add export\n');
+});
+
+test('generateChangelog lists headings of configured types after the built-in ones', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+  repo.git('tag', 'v1.0.0');
+  repo.commit('deps: bump left-pad');
+  repo.commit('Update readme');
+  repo.commit('feat!: replace the config format');
+  repo.commit('fix: handle empty input');
+  repo.write('.release-config.yml', 'changelog:\n  types:\n    deps:\n      plain: Dependencies\n      emoji: "⬆️ Dependencies"\n');
+
+  const titles = async (style) => (await changelog(repo, { style })).model.categories.map((category) => category.title);
+
+  assert.deepEqual(await titles('emoji'), ['⚠️ Breaking Changes', '🐛 Bug Fixes', '⬆️ Dependencies', 'Other']);
+  assert.deepEqual(await titles('plain'), ['Breaking Changes', 'Fixed', 'Dependencies', 'Other']);
+});
+
+test('generateChangelog reports invalid config keys with their line', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+  repo.write('.release-config.yml', 'changelog:\n  format: fancy\n');
+
+  await assert.rejects(changelog(repo), /\.release-config\.yml:2/);
+});
+
+// ============================================
+// Templates
+// ============================================
+
+test('renderTemplate renders sections, helpers and inverted sections', () => {
+  const model = {
+    version: '1.2.0',
+    date: '2024-01-15',
+    highlights: [],
+    contributors: [],
+    categories: [
+      {
+        title: 'Features',
+        entries: [{ description: 'add <b>bold</b> mode', scope: 'ui', hash: 'abc1234def', shortHash: 'abc1234', issues: [] }],
+      },
+    ],
+  };
+  const template = '## {{version}}\n{{#categories}}\n### {{title}}\n{{#entries}}\n- {{#if scope}}**{{scope}}:** {{/if}}{{description}}\n{{/entries}}\n{{/categories}}\n{{^highlights}}\nNo highlights\n{{/highlights}}\n';
+
+  assert.equal(renderTemplate(template, model, { links: 'none' }), '## 1.2.0\n### Features\n- **ui:** add <b>bold</b> mode\nNo highlights\n');
+  assert.throws(() => renderTemplate('{{#categories}}{{/entries}}', model, {}), /unexpected \{\{\/entries\}\}/);
+});
+
+test('built-in templates keep notes, bodies, revert links, highlights and contributors', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+  repo.commit('fix: handle empty input');
+  repo.git('tag', 'v1.0.0');
+  repo.commit('feat!: replace the config format\n\nThe old format was ambiguous.\n\nBREAKING CHANGE: config.ini is ignored\nHighlight: New config format');
+  repo.git('revert', '--no-edit', 'HEAD~1');
+
+  const release = await changelog(repo, { template: 'keepachangelog', links: 'short', includeBody: true, contributors: true });
+
+  assert.match(release.content, /### Key Highlights\n\n- \*\*New config format\*\* \(\[\w{7}\]\)\n/);
+  assert.match(
+    release.content,
+    /- replace the config format \(\[\w{7}\]\)\n {2}> \*\*BREAKING CHANGE:\*\* config\.ini is ignored\n {2}>\n {2}> The old format was ambiguous\.\n/
+  );
+  assert.match(release.content, /reverts \[\w{7}\] from 1\.0\.0\)/);
+  assert.match(release.content, /### Contributors\n\n- Ada \(2 commits\)\n$/);
+});
+
+// ============================================
+// generateChangelog
+// ============================================
+
+test('generateChangelog calculates the next version from the commits since the last tag', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+  repo.git('tag', 'v1.0.0');
+  repo.commit('fix(core): handle empty input');
+  repo.commit('feat(cli): add --quiet flag\n\nCloses #12');
+  repo.commit('chore: update tooling');
+
+  const release = await changelog(repo, { links: 'none' });
+
+  assert.equal(release.version, '1.1.0');
+  assert.equal(release.bump, 'minor');
+  assert.equal(release.previousTag, 'v1.0.0');
+  assert.deepEqual(
+    entries(release).map((entry) => entry.description),
+    ['add --quiet flag', 'handle empty input', 'update tooling']
+  );
+  assert.match(release.content, /^## \[1\.1\.0\] - \d{4}-\d{2}-\d{2}\n/);
+  assert.match(release.content, /- \*\*cli\*\*: add --quiet flag \(#12\)/);
+});
+
+test('generateChangelog reports the minor bump a breaking change becomes on 0.x', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+  repo.git('tag', 'v0.1.0');
+  repo.commit('feat!: replace the config format');
+
+  const release = await changelog(repo);
+
+  assert.equal(release.version, '0.2.0');
+  assert.equal(release.bump, 'minor');
+});
+
+test('generateChangelog renders the json format from the same model', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat!: replace the config format');
+
+  const release = await changelog(repo, { version: '2.0.0', format: 'json' });
+  const json = JSON.parse(release.content);
+
+  assert.equal(json.version, '2.0.0');
+  assert.equal(json.categories.flatMap((category) => category.entries)[0].breaking, true);
+});
+
+test('generateChangelog stops reading history at maxCommits', async (t) => {
+  const repo = createRepo(t);
+  for (let i = 1; i <= 5; i++) repo.commit(`fix: change ${i}`);
+
+  const release = await changelog(repo, { version: '1.0.0', maxCommits: 2 });
+
+  assert.deepEqual(
+    release.commits.map((commit) => commit.subject),
+    ['fix: change 5', 'fix: change 4']
+  );
+});
+
+test('generateChangelog lists the commits since the latest tag of any kind as Unreleased', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+  repo.git('tag', 'v1.0.0');
+  repo.commit('feat: add export');
+  repo.git('tag', 'v1.1.0-rc.1');
+  repo.commit('fix: handle empty input');
+
+  const release = await changelog(repo, { unreleased: true });
+
+  assert.equal(release.version, 'Unreleased');
+  assert.equal(release.previousTag, 'v1.1.0-rc.1');
+  assert.equal(release.tag, undefined);
+  assert.deepEqual(
+    entries(release).map((entry) => entry.description),
+    ['handle empty input']
+  );
+  assert.match(release.content, /^## \[Unreleased\]/);
+});
+
+test('generateChangelog rebuilds one release per tag, oldest first', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+  repo.git('tag', 'v1.0.0');
+  repo.commit('fix: handle empty input');
+  repo.git('tag', 'v1.0.1');
+  repo.commit('feat: not released yet');
+
+  const { releases } = await changelog(repo, { rebuild: true });
+
+  assert.deepEqual(
+    releases.map((release) => [release.version, release.tag, release.previousTag]),
+    [
+      ['1.0.0', 'v1.0.0', null],
+      ['1.0.1', 'v1.0.1', 'v1.0.0'],
+    ]
+  );
+  assert.match(releases[1].content, /^## \[1\.0\.1\] - \d{4}-\d{2}-\d{2}\n[\s\S]*handle empty input/);
+});
+
+test('generateChangelog rebuilds final releases from the previous stable tag', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+  repo.git('tag', 'v1.0.0');
+  repo.commit('feat: add export');
+  repo.git('tag', 'v1.1.0-rc.1');
+  repo.commit('fix: handle empty input');
+  repo.git('tag', 'v1.1.0');
+
+  const { releases } = await changelog(repo, { rebuild: true });
+  const final = releases.find((release) => release.version === '1.1.0');
+
+  assert.equal(final.previousTag, 'v1.0.0');
+  assert.deepEqual(
+    entries(final).map((entry) => entry.description),
+    ['add export', 'handle empty input']
+  );
+});
+
+test('generateChangelog releases the manifest version of every workspace package with allPackages', async (t) => {
+  const repo = createRepo(t);
+  repo.write('melos.yaml', 'name: mono\npackages:\n  - packages/**\n');
+  for (const name of ['core', 'ui']) {
+    repo.write(`packages/${name}/pubspec.yaml`, `name: ${name}\nversion: 1.0.0\n`);
+  }
+  repo.commit('chore: initial release');
+  repo.git('tag', 'core-v1.0.0');
+  repo.git('tag', 'ui-v1.0.0');
+  repo.write('packages/core/pubspec.yaml', 'name: core\nversion: 1.1.0\n');
+  repo.commit('feat(core): add export');
+
+  const releases = await changelog(repo, { version: null, allPackages: true });
+
+  assert.deepEqual(
+    releases.map((release) => [release.package, release.dir, release.tag, release.commits.length]),
+    [
+      ['core', 'packages/core', 'core-v1.1.0', 1],
+      ['ui', 'packages/ui', 'ui-v1.0.0', 0],
+    ]
+  );
+});
+
+test('generateChangelog lists merged pull requests instead of their commits with strategy pr', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+  repo.git('tag', 'v1.0.0');
+  repo.git('checkout', '-q', '-b', 'feature-export');
+  repo.commit('wip: export');
+  repo.commit('fix typo');
+  repo.git('checkout', '-q', 'main');
+  repo.git('merge', '-q', '--no-ff', 'feature-export', '-m', 'Merge pull request #12 from acme/feature-export\n\nfeat(api): add export endpoint');
+  repo.git('checkout', '-q', '-b', 'fix-crash');
+  repo.commit('fix the crash');
+  repo.git('checkout', '-q', 'main');
+  repo.git('merge', '-q', '--no-ff', 'fix-crash', '-m', "Merge branch 'fix-crash' into 'main'\n\nfix: crash on empty input\n\nSee merge request acme/app!7");
+  repo.commit('docs: update readme');
+
+  const release = await changelog(repo, { strategy: 'pr', links: 'none' });
+
+  assert.equal(release.version, '1.1.0');
+  assert.deepEqual(
+    entries(release).map((entry) => [entry.scope, entry.description, entry.issues.map((issue) => issue.label)]),
+    [
+      ['api', 'add export endpoint', ['#12']],
+      [null, 'crash on empty input', ['!7']],
+      [null, 'update readme', []],
+    ]
+  );
+});
+
+test('generateChangelog applies Changelog trailers from git notes', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+  repo.git('tag', 'v1.0.0');
+  const feature = repo.commit('feat: add experimental export');
+  const fix = repo.commit('fix: handle empty input');
+  repo.git('notes', '--ref=changelog', 'add', '-m', 'Changelog: skip', feature);
+  repo.git('notes', '--ref=changelog', 'add', '-m', 'Changelog-Entry: Empty files no longer crash the import', fix);
+
+  const release = await changelog(repo, { links: 'none' });
+
+  // The skipped feature does not count towards the version either
+  assert.equal(release.version, '1.0.1');
+  assert.deepEqual(
+    entries(release).map((entry) => entry.description),
+    ['Empty files no longer crash the import']
+  );
+});
+
+test('generateChangelog keeps overlapping calls on their own repository', async (t) => {
+  const first = createRepo(t);
+  first.commit('feat: initial release');
+  first.git('tag', 'v1.0.0');
+  first.commit('feat: add export');
+  const second = createRepo(t);
+  second.commit('feat: initial release');
+  second.git('tag', 'v2.4.1');
+  second.commit('fix: handle empty input');
+
+  const releases = await Promise.all([changelog(first), changelog(second)]);
+
+  assert.deepEqual(
+    releases.map((release) => release.version),
+    ['1.1.0', '2.4.2']
+  );
+});
+
+test('generateChangelog rejects unknown refs instead of reporting nothing to release', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+
+  await assert.rejects(changelog(repo, { from: 'v9.9.9' }), /Unknown git ref "v9\.9\.9"/);
+  await assert.rejects(changelog(repo, { to: 'missing-branch' }), /Unknown git ref "missing-branch"/);
+});
+
+test('generateChangelog cancels out reverts of commits in the same release', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+  repo.git('tag', 'v1.0.0');
+  repo.commit('fix: keep the cache warm');
+  repo.commit('feat: experimental sync');
+  repo.git('revert', '--no-edit', 'HEAD');
+
+  const release = await changelog(repo);
+
+  assert.equal(release.version, '1.0.1');
+  assert.deepEqual(
+    entries(release).map((entry) => entry.description),
+    ['keep the cache warm']
+  );
+});
+
+test('generateChangelog links reverts of earlier releases to the release that shipped them', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+  const shipped = repo.commit('feat: experimental sync');
+  repo.git('tag', 'v1.1.0');
+  repo.git('revert', '--no-edit', 'HEAD');
+
+  const [revert] = entries(await changelog(repo));
+
+  assert.equal(revert.type, 'revert');
+  assert.equal(revert.reverts.hash, shipped);
+  assert.equal(revert.reverts.version, '1.1.0');
+});
+
+test('generateChangelog recognises hotfixes that an earlier release already shipped', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release', { date: '2024-01-01T00:00:00Z' });
+  repo.git('tag', 'v1.0.0');
+
+  // The hotfix ships from a release branch, then is cherry-picked back onto main. It is
+  // the oldest change in the range, although its +09:00 date sorts last as a string.
+  repo.git('checkout', '-q', '-b', 'release/1.0', 'v1.0.0');
+  const hotfix = repo.commit('fix: patch the crash on start', { date: '2024-01-10T10:00:00+09:00' });
+  repo.git('tag', 'v1.0.1');
+  repo.git('checkout', '-q', 'main');
+  repo.commit('feat: add export', { date: '2024-01-10T05:00:00-05:00' });
+  repo.git('cherry-pick', hotfix, { date: '2024-01-11T00:00:00Z' });
+
+  const marked = entries(await changelog(repo, { previouslyReleased: 'mark' }));
+  assert.deepEqual(
+    marked.map((entry) => [entry.description, entry.previouslyReleased]),
+    [
+      ['add export', null],
+      ['patch the crash on start', '1.0.1'],
+    ]
+  );
+
+  const dropped = entries(await changelog(repo, { previouslyReleased: 'drop' }));
+  assert.deepEqual(
+    dropped.map((entry) => entry.description),
+    ['add export']
+  );
+});
+
+test('generateChangelog only counts lower, older releases as having shipped a change', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release', { date: '2024-01-01T00:00:00Z' });
+  repo.git('tag', 'v1.0.0');
+
+  // Git Flow: the fix lands on develop and ships in 1.1.0-rc.1, then is cherry-picked
+  // back onto main for the 1.0.1 hotfix
+  repo.git('checkout', '-q', '-b', 'develop');
+  const fix = repo.commit('fix: guard against a missing config', { date: '2024-01-05T00:00:00Z' });
+  repo.commit('feat: add export', { date: '2024-01-06T00:00:00Z' });
+  repo.git('tag', 'v1.1.0-rc.1');
+  repo.git('checkout', '-q', 'main');
+  repo.git('cherry-pick', fix, { date: '2024-01-08T00:00:00Z' });
+  repo.git('tag', 'v1.0.1');
+  repo.git('checkout', '-q', 'develop');
+  repo.commit('feat: add import', { date: '2024-01-10T00:00:00Z' });
+
+  const candidate = entries(await changelog(repo, { from: 'v1.0.0', to: 'v1.1.0-rc.1', version: '1.1.0-rc.1' }));
+  assert.deepEqual(
+    candidate.map((entry) => entry.previouslyReleased),
+    [null, null]
+  );
+
+  const hotfix = entries(await changelog(repo, { from: 'v1.0.0', to: 'v1.0.1', version: '1.0.1' }));
+  assert.deepEqual(
+    hotfix.map((entry) => [entry.description, entry.previouslyReleased]),
+    [['guard against a missing config', null]]
+  );
+
+  // The final release comes after the hotfix, which did ship the fix first
+  const final = entries(await changelog(repo, { from: 'v1.0.0', version: '1.1.0' }));
+  assert.deepEqual(
+    final.map((entry) => [entry.description, entry.previouslyReleased]),
+    [
+      ['add import', null],
+      ['add export', null],
+      ['guard against a missing config', '1.0.1'],
+    ]
+  );
+});
+
+test('generateChangelog maps co-authors through .mailmap when counting contributors', async (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release\n\nCo-authored-by: bobby <bob@old.example.com>');
+  repo.git('tag', 'v1.0.0');
+  repo.write('.mailmap', 'Bob Smith <bob@example.com> <bob@old.example.com>\n');
+  repo.commit('fix: handle empty input\n\nCo-authored-by: bobby <bob@old.example.com>\nCo-authored-by: Carol <carol@example.com>');
+
+  const { contributors } = (await changelog(repo, { contributors: true })).model;
+
+  assert.deepEqual(
+    contributors.map(({ name, email, firstTime }) => [name, email, firstTime]),
+    [
+      ['Ada', 'ada@example.com', false],
+      ['Bob Smith', 'bob@example.com', false],
+      ['Carol', 'carol@example.com', true],
+    ]
+  );
+});
+
+// ============================================
+// Changelog files
+// ============================================
+
+test('releasing moves [Unreleased] notes into the new section once, also when re-run', (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+  repo.git('tag', 'v1.0.0');
+  repo.write('CHANGELOG.md', '# Changelog\n\n## [Unreleased]\n\n### Notes\n\n- Migration guide\n\n## [1.0.0] - 2024-01-15\n\n- initial release\n');
+  repo.commit('feat: add export');
+
+  cli(repo, '--version', '1.1.0', '--links', 'none');
+  const first = repo.read('CHANGELOG.md');
+  cli(repo, '--version', '1.1.0', '--links', 'none', '--force');
+
+  assert.equal(repo.read('CHANGELOG.md'), first);
+  assert.match(
+    first,
+    /## \[Unreleased\]\n\n## \[1\.1\.0\] - \d{4}-\d{2}-\d{2}\n\n### ✨ Features\n\n- add export\n\n### Notes\n\n- Migration guide\n\n## \[1\.0\.0\]/
+  );
+});
+
+test('--unreleased replaces its earlier entries and keeps hand-written notes', (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+  repo.git('tag', 'v1.0.0');
+  repo.commit('fix: handle empty input');
+  cli(repo, '--unreleased', '--links', 'short');
+  repo.write('CHANGELOG.md', repo.read('CHANGELOG.md').replace('## [Unreleased]\n', '## [Unreleased]\n\n- Hand-written note\n'));
+  repo.commit('fix: guard against a missing config');
+
+  cli(repo, '--unreleased', '--links', 'short');
+
+  const unreleased = repo.read('CHANGELOG.md').split('## [Unreleased]\n')[1];
+  assert.match(unreleased, /^\n- Hand-written note\n\n### 🐛 Bug Fixes\n\n- guard against a missing config \(\[\w{7}\]\)\n- handle empty input \(\[\w{7}\]\)\n$/);
+});
+
+test('--locale id writes Indonesian headings and dates', (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release', { date: '2024-03-05T12:00:00Z' });
+  repo.git('tag', 'v1.0.0');
+  repo.commit('feat!: replace the config format\n\nBREAKING CHANGE: config.ini is ignored', { date: '2024-08-17T12:00:00Z' });
+  repo.commit('fix: handle empty input', { date: '2024-08-17T12:00:00Z' });
+  repo.git('tag', 'v2.0.0');
+
+  cli(repo, '--rebuild', '--locale', 'id', '--links', 'none');
+
+  const changelog = repo.read('CHANGELOG.md');
+  assert.match(changelog, /^# Catatan Perubahan\n\nSemua perubahan penting/);
+  assert.match(
+    changelog,
+    /## \[2\.0\.0\] - 17 Agustus 2024\n\n### 🎯 Sorotan Utama\n\n- \*\*replace the config format\*\*\n\n### ⚠️ Perubahan Tidak Kompatibel\n\n- replace the config format\n {2}> \*\*PERUBAHAN TIDAK KOMPATIBEL:\*\* config\.ini is ignored\n\n### 🐛 Perbaikan Bug\n\n- handle empty input\n/
+  );
+  assert.match(changelog, /## \[1\.0\.0\] - 5 Maret 2024\n\n### ✨ Fitur\n/);
+});
+
+test('--advisories-file lists the advisories of the Security section', (t) => {
+  const repo = createRepo(t);
+  repo.commit('feat: initial release');
+  repo.git('tag', 'v1.0.0');
+  repo.commit('feat: add export');
+  const sanitize = repo.commit('security: sanitize uploaded file names\n\nRefs GHSA-abcd-efgh-ijkl');
+  const lodash = repo.commit('fix(deps): bump lodash to 4.17.21\n\nFixes CVE-2021-23337');
+
+  cli(repo, '--version', '1.1.0', '--links', 'none', '--advisories-file', 'advisories.json');
+
+  // Advisory IDs stay linked with --links none
+  const section = repo.read('CHANGELOG.md').split('## [1.1.0]')[1];
+  assert.match(
+    section,
+    /^ - \d{4}-\d{2}-\d{2}\n\n### 🔒 Security\n\n- \*\*deps\*\*: bump lodash to 4\.17\.21 \(\[CVE-2021-23337\]\(https:\/\/nvd\.nist\.gov\/vuln\/detail\/CVE-2021-23337\)\)\n- sanitize uploaded file names \(\[GHSA-abcd-efgh-ijkl\]\(https:\/\/github\.com\/advisories\/GHSA-abcd-efgh-ijkl\)\)\n\n### ✨ Features\n/
+  );
+
+  const advisories = JSON.parse(repo.read('advisories.json'));
+  assert.deepEqual(
+    advisories.map(({ id, type, url, version, commits }) => [id, type, url, version, commits[0].hash]),
+    [
+      ['CVE-2021-23337', 'CVE', 'https://nvd.nist.gov/vuln/detail/CVE-2021-23337', '1.1.0', lodash],
+      ['GHSA-abcd-efgh-ijkl', 'GHSA', 'https://github.com/advisories/GHSA-abcd-efgh-ijkl', '1.1.0', sanitize],
+    ]
+  );
+});
+
+// ============================================
+// Version files
+// ============================================
+
+test('--bump only changes the top-level version of JSON manifests', (t) => {
+  const repo = createRepo(t);
+  repo.write('package.json', '{\n  "name": "app",\n  "config": { "version": "1.0.0" },\n  "version": "1.0.0"\n}\n');
+  repo.commit('feat: initial release');
+
+  cli(repo, '--version', '1.1.0', '--bump');
+
+  assert.equal(repo.read('package.json'), '{\n  "name": "app",\n  "config": { "version": "1.0.0" },\n  "version": "1.1.0"\n}\n');
+});
+
+test('--bump refuses unknown version files before changing any file', (t) => {
+  const repo = createRepo(t);
+  repo.write('package.json', '{ "name": "app", "version": "1.0.0" }\n');
+  repo.write('VERSION.md', '1.0.0\n');
+  repo.write('.release-config.yml', 'bump:\n  files: [package.json, VERSION.md]\n');
+  repo.commit('feat: initial release');
+
+  assert.throws(() => cli(repo, '--version', '1.1.0', '--bump'), {
+    stderr: /Could not bump the version in VERSION\.md: unsupported file type/,
+  });
+  assert.equal(repo.read('package.json'), '{ "name": "app", "version": "1.0.0" }\n');
+  assert.equal(fs.existsSync(path.join(repo.dir, 'CHANGELOG.md')), false);
+});
+
+test('--bump leaves version files alone when the changelog section is not written', (t) => {
+  const repo = createRepo(t);
+  repo.write('package.json', '{ "name": "app", "version": "1.0.0" }\n');
+  repo.write('CHANGELOG.md', '# Changelog\n\n## [1.1.0] - 2024-01-15\n\n- hand-written\n');
+  repo.commit('feat: initial release');
+
+  assert.throws(() => cli(repo, '--version', '1.1.0', '--bump', '--existing', 'error'), {
+    stderr: /already has a section for 1\.1\.0/,
+  });
+  cli(repo, '--version', '1.1.0', '--bump', '--existing', 'skip');
+
+  assert.equal(repo.read('package.json'), '{ "name": "app", "version": "1.0.0" }\n');
+  assert.match(repo.read('CHANGELOG.md'), /- hand-written/);
+});
+
+test('--bump keeps the pubspec build number unless asked to increment it', (t) => {
+  const repo = createRepo(t);
+  repo.write('pubspec.yaml', 'name: app\nversion: 1.0.0+7\n');
+  repo.commit('feat: initial release');
+
+  cli(repo, '--version', '1.1.0', '--bump');
+  assert.equal(repo.read('pubspec.yaml'), 'name: app\nversion: 1.1.0+7\n');
+
+  repo.commit('fix: handle empty input');
+  cli(repo, '--version', '1.1.1', '--bump', '--build-number', 'increment');
+  assert.equal(repo.read('pubspec.yaml'), 'name: app\nversion: 1.1.1+8\n');
+});
+
+// ============================================
+// Monorepos
+// ============================================
+
+test('--all-packages writes each package changelog with its own tags and skips stale manifests', (t) => {
+  const repo = createRepo(t);
+  repo.git('remote', 'add', 'origin', 'git@github.com:acme/mono.git');
+  repo.write('melos.yaml', 'name: mono\npackages:\n  - packages/**\n');
+  repo.write('packages/core/pubspec.yaml', 'name: core\nversion: 1.0.0\n');
+  repo.write('packages/ui/pubspec.yaml', 'name: ui\nversion: 1.0.0\n');
+  repo.commit('chore: initial release');
+  repo.git('tag', 'core-v1.0.0');
+  repo.git('tag', 'ui-v1.0.0');
+  repo.write('packages/core/pubspec.yaml', 'name: core\nversion: 1.1.0\n');
+  repo.write('packages/core/lib.dart', '// export\n');
+  repo.commit('feat(core): add export');
+  repo.write('packages/ui/lib.dart', '// button\n');
+  repo.commit('fix(ui): align the button');
+
+  const output = cli(repo, '--all-packages');
+
+  assert.match(output, /Skipping ui: manifest version 1\.0\.0 is not newer than the released 1\.0\.0/);
+  assert.equal(fs.existsSync(path.join(repo.dir, 'packages/ui/CHANGELOG.md')), false);
+  assert.equal(fs.existsSync(path.join(repo.dir, 'CHANGELOG.md')), false);
+
+  const core = repo.read('packages/core/CHANGELOG.md');
+  assert.match(core, /## \[1\.1\.0\] - \d{4}-\d{2}-\d{2}\n\n### ✨ Features\n\n- \*\*core\*\*: add export/);
+  assert.doesNotMatch(core, /align the button/);
+  assert.match(core, /^\[1\.1\.0\]: https:\/\/github\.com\/acme\/mono\/compare\/core-v1\.0\.0\.\.\.core-v1\.1\.0$/m);
+});